@@ -39,8 +39,9 @@ async function checkPrerequisites() {
     }
 
     if (!mongodumpAvailable || !mongorestoreAvailable) {
-        console.log(chalk.red('❌ MongoDB tools are required. Install MongoDB Database Tools:'));
+        console.log(chalk.yellow('⚠️ MongoDB tools not found. Install MongoDB Database Tools to use the mongodump/mongorestore engine:'));
         console.log(chalk.yellow('   https://www.mongodb.com/docs/database-tools/installation/'));
+        console.log(chalk.yellow('   Without them, migrations can still run with the native driver engine (--engine native).'));
     }
 
     if (bunAvailable && mongodumpAvailable && mongorestoreAvailable) {
@@ -50,6 +51,13 @@ async function checkPrerequisites() {
         return true;
     }
 
+    if (bunAvailable) {
+        console.log(chalk.green('✅ Bun is available; the native driver engine can be used.'));
+        console.log(chalk.blue('\nYou can now run the migration tool with:'));
+        console.log(chalk.yellow('   bun run start -- --engine native'));
+        return true;
+    }
+
     return false;
 }
 
@@ -0,0 +1,77 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MongoMigrationTool, MigrationCheckpoint, CliError } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test checkpoint persistence and resume decisions using a throwaway temp directory
+console.log(chalk.blue('🧪 Testing Migration Checkpoints\n'));
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-checkpoint-'));
+const collections = ['orders', 'users', 'events'];
+const config = {
+    source: { uri: 'mongodb://localhost:27017', database: 'app', connectionName: 'manual' },
+    destination: { uri: 'mongodb://localhost:27018', database: 'app', connectionName: 'manual' },
+    options: { strategy: 'drop', parallelProcesses: 3, filters: {} },
+    targetNames: {}
+};
+
+const quietTool = (cliOptions) => {
+    const tool = new MongoMigrationTool(cliOptions);
+    tool.tempDir = tempDir;
+    ['info', 'success', 'warn', 'error'].forEach(level => { tool.logger[level] = () => {}; });
+    return tool;
+};
+
+await check('persists per-collection status across loads', async () => {
+    const filePath = path.join(tempDir, 'state.json');
+    const checkpoint = MigrationCheckpoint.create(filePath, 'abc', collections);
+    await Promise.all([
+        checkpoint.mark('dump', 'orders', 'done'),
+        checkpoint.mark('dump', 'users', 'done'),
+        checkpoint.mark('dump', 'events', 'failed', 'connection reset')
+    ]);
+
+    const loaded = await MigrationCheckpoint.load(filePath);
+    expectEqual(loaded.isDone('dump', 'users'), true);
+    expectEqual(loaded.isDone('dump', 'events'), false);
+    expectEqual(loaded.state.collections.events.error, 'connection reset');
+    expectEqual(loaded.isComplete(), false);
+});
+
+await check('fingerprint changes with the migration definition', () => {
+    const tool = quietTool({});
+    const base = tool.getMigrationFingerprint(config, collections);
+    expectEqual(tool.getMigrationFingerprint(config, [...collections].reverse()), base);
+    const renamed = { ...config, targetNames: { orders: 'orders_copy' } };
+    expectEqual(tool.getMigrationFingerprint(renamed, collections) === base, false);
+});
+
+await check('--resume fails without a matching checkpoint', async () => {
+    await expectThrows(() => quietTool({ resume: true }).prepareCheckpoint(config, collections), CliError);
+
+    await quietTool({ nonInteractive: true }).prepareCheckpoint(config, collections);
+    const other = { ...config, destination: { ...config.destination, database: 'other' } };
+    await expectThrows(() => quietTool({ resume: true }).prepareCheckpoint(other, collections), CliError);
+});
+
+await check('resumed runs skip finished collections only', async () => {
+    const first = quietTool({ nonInteractive: true });
+    await first.prepareCheckpoint(config, collections);
+    const dumpDir = path.join(tempDir, 'dump', 'app');
+    await fs.mkdir(dumpDir, { recursive: true });
+    await fs.writeFile(path.join(dumpDir, 'orders.bson'), '');
+    await first.checkpoint.mark('dump', 'orders', 'done');
+    await first.checkpoint.mark('dump', 'users', 'done'); // file missing: must be dumped again
+    await first.checkpoint.mark('restore', 'orders', 'done');
+
+    const resumed = quietTool({ resume: true, nonInteractive: true });
+    await resumed.prepareCheckpoint(config, collections);
+    expectEqual(await resumed.getPendingCollections('dump', collections), ['users', 'events']);
+    expectEqual(await resumed.getPendingCollections('restore', collections), ['users', 'events']);
+});
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+finish('Checkpoint');
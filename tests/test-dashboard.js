@@ -0,0 +1,126 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ProgressDashboard, Logger, CliError, parseCliArguments } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish, createTool } from './test-helpers.js';
+
+// Test the live worker dashboard: when it is used, what a frame shows and how log lines are routed around it
+console.log(chalk.blue('🧪 Testing Progress Dashboard\n'));
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-dashboard-'));
+
+function createStream({ isTTY = true, columns = 200 } = {}) {
+    const stream = { isTTY, columns, output: '' };
+    stream.write = (text) => { stream.output += text; };
+    return stream;
+}
+
+function plain(lines) {
+    return lines.map(line => line.replace(/\x1b\[[0-9;]*m/g, ''));
+}
+
+await check('uses the dashboard only on a terminal with text logs', () => {
+    expectEqual(parseCliArguments(['--progress', 'lines']).progress, 'lines');
+    expectEqual(createTool().getProgressMode(createStream()), 'dashboard');
+    expectEqual(createTool().getProgressMode(createStream({ isTTY: false })), 'lines');
+    expectEqual(createTool({ progress: 'lines' }).getProgressMode(createStream()), 'lines');
+    expectEqual(createTool({ logFormat: 'json' }).getProgressMode(createStream()), 'lines');
+});
+
+await check('rejects an unknown --progress mode before the run starts', async () => {
+    await expectThrows(() => createTool({ progress: 'bars' }).getProgressMode(createStream()), CliError,
+        error => error.message.includes('expected one of auto, lines'));
+
+    const tool = createTool({ progress: 'bars' });
+    tool.reportDir = path.join(tempDir, 'reports');
+    tool.getMode = async () => 'migrate';
+    await expectThrows(() => tool.run(), CliError, error => error.message.startsWith('Invalid --progress value'));
+});
+
+await check('shows one row per worker with rate and ETA, the overall line and a tally', () => {
+    const tool = createTool();
+    const dashboard = new ProgressDashboard(tool, { workers: 3, total: 5, stream: createStream() });
+    dashboard.startTask(1, 'orders');
+    dashboard.startTask(2, 'users');
+    dashboard.rows[0].startTime = 1000;
+    dashboard.rows[1].startTime = 1000;
+    dashboard.update({ event: 'progress', worker: 1, collection: 'orders', percent: 25, documents: 5000 });
+    dashboard.finishTask(3);
+    dashboard.update({ event: 'collection.failed', worker: 3, collection: 'events' });
+
+    const [header, orders, users, idle, overall, tally] = plain(dashboard.formatFrame(11000));
+    expectEqual(header, '👥 Workers: 2/3 busy');
+    expectEqual(orders, `   W1  orders ${tool.createProgressBar(25)}  25.0% │ 5,000 docs │ 500/s │ ETA ~30.0s`);
+    expectEqual(users, `   W2  users  ${tool.createProgressBar(0)}   0.0% │ starting...`);
+    expectEqual(idle, '   W3  idle');
+    expectEqual(overall, '📈 Overall: 1/5 collections');
+    expectEqual(tally, '✅ 0 completed │ ❌ 1 failed │ ⏳ 2 queued');
+});
+
+await check('cuts lines to the terminal width', () => {
+    const dashboard = new ProgressDashboard(createTool(), { workers: 1, total: 1, stream: createStream({ columns: 30 }) });
+    dashboard.startTask(1, 'a_rather_long_collection_name');
+    const lines = plain(dashboard.formatFrame());
+    expectEqual(lines.every(line => line.length <= 29), true);
+    expectEqual(lines[1].endsWith('…'), true);
+});
+
+await check('redraws in place and prints other log lines above it', async () => {
+    const stream = createStream();
+    const logFile = path.join(tempDir, 'run.log');
+    const logger = new Logger();
+    logger.openFile(logFile);
+    const dashboard = new ProgressDashboard(createTool(), { workers: 1, total: 1, stream });
+    dashboard.startTask(1, 'orders');
+    logger.dashboard = dashboard;
+    dashboard.render();
+
+    const printed = [];
+    const originalLog = console.log;
+    console.log = (line) => printed.push(line);
+    try {
+        logger.info('📥 W1 orders 10%', { event: 'progress', worker: 1, collection: 'orders', percent: 10, documents: 20 });
+        logger.warn('🔁 Worker 1: orders failed, retrying', { event: 'collection.retry', worker: 1, collection: 'orders' });
+    } finally {
+        console.log = originalLog;
+    }
+
+    expectEqual([printed.length, dashboard.rows[0].percent], [0, 10]);
+    // The warning is written after the previous frame is erased, then the frame is drawn again below it
+    const warning = stream.output.indexOf('retrying');
+    expectEqual(stream.output.lastIndexOf('\x1b[4F\x1b[0J', warning) > 0, true);
+    expectEqual(stream.output.indexOf('Workers: 1/1 busy', warning) > warning, true);
+    expectEqual(stream.output.includes('W1 orders 10%'), false);
+
+    const written = await fs.readFile(logFile, 'utf8');
+    expectEqual([written.includes('W1 orders 10%'), written.includes('retrying')], [true, true]);
+});
+
+await check('the worker queue drives the dashboard and detaches it afterwards', async () => {
+    const tool = createTool();
+    const stream = createStream();
+    let dashboard;
+    tool.createDashboard = (workers, total, overall) => {
+        dashboard = new ProgressDashboard(tool, { workers, total, overall, stream });
+        return dashboard;
+    };
+
+    const seen = [];
+    await tool.runWorkQueue([{ name: 'orders', bytes: 100 }, { name: 'users', bytes: 10 }, { name: 'events', bytes: 1 }], 2, async (entry, workerId, onProgress) => {
+        seen.push([workerId, dashboard.rows[workerId - 1].name]);
+        onProgress(50);
+        if (entry.name === 'users') {
+            tool.logger.dashboard.update({ event: 'collection.failed', worker: workerId, collection: entry.name });
+        }
+    });
+
+    expectEqual(seen, [[1, 'orders'], [2, 'users'], [1, 'events']]);
+    expectEqual([tool.logger.dashboard, dashboard.timer], [null, null]);
+    const frame = plain(dashboard.formatFrame());
+    expectEqual(frame.slice(-2), ['📈 Overall: 3/3 collections, 111 B of 111 B (100.0%) │ done', '✅ 2 completed │ ❌ 1 failed │ ⏳ 0 queued']);
+});
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+finish('Progress dashboard');
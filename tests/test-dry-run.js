@@ -0,0 +1,131 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseCliArguments } from '../migrate.js';
+import { check, expectEqual, finish, createTool } from './test-helpers.js';
+
+// Test dry-run estimates: collection stats, throughput history and the no-write guarantee
+console.log(chalk.blue('🧪 Testing Dry Run and Estimates\n'));
+
+const historyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-history-'));
+const tool = createTool({}, { historyFile: path.join(historyDir, 'history.json') });
+
+await check('parses --dry-run', () => {
+    expectEqual(parseCliArguments(['--dry-run']).dryRun, true);
+    expectEqual(parseCliArguments([]).dryRun, false);
+});
+
+await check('formats byte sizes', () => {
+    expectEqual(tool.formatBytes(512), '512 B');
+    expectEqual(tool.formatBytes(1536), '1.5 KB');
+    expectEqual(tool.formatBytes(5 * 1024 ** 3), '5.0 GB');
+});
+
+await check('reads sizes from collStats, falling back to $collStats', async () => {
+    const collection = {
+        estimatedDocumentCount: async () => 120,
+        aggregate: () => ({ toArray: async () => [{ storageStats: { size: 4096, totalIndexSize: 1024 } }] })
+    };
+    const withCommand = { collection: () => collection, command: async () => ({ size: 2048, totalIndexSize: 512 }) };
+    const withoutCommand = { collection: () => collection, command: async () => { throw new Error('no such command'); } };
+
+    expectEqual(await tool.getCollectionStats(withCommand, 'orders'), { documents: 120, dataSize: 2048, indexSize: 512 });
+    expectEqual(await tool.getCollectionStats(withoutCommand, 'orders'), { documents: 120, dataSize: 4096, indexSize: 1024 });
+});
+
+await check('estimates duration from past throughput, preferring the same engine', () => {
+    const history = [
+        { engine: 'tools', bytes: 10 * 1024 ** 2, durationMs: 10000 },
+        { engine: 'native', bytes: 10 * 1024 ** 2, durationMs: 5000 }
+    ];
+
+    expectEqual(tool.estimateDuration(20 * 1024 ** 2, 'native', history).ms, 10000);
+    expectEqual(tool.estimateDuration(20 * 1024 ** 2, 'stream', history).runs, 2);
+    expectEqual(tool.estimateDuration(1024, 'tools', []), null);
+});
+
+await check('keeps a bounded throughput history', async () => {
+    for (let run = 0; run < 25; run++) {
+        await tool.recordThroughput('tools', { documents: run, dataSize: 1024 }, 1000);
+    }
+
+    const history = await tool.loadThroughputHistory();
+    expectEqual(history.length, 20);
+    expectEqual(history[19].documents, 24);
+});
+
+await check('records only the time spent on successful copy attempts', async () => {
+    const task = (startSeconds, seconds, status = 'succeeded') =>
+        ({ startedAt: new Date(Date.UTC(2026, 9, 18, 9, 0, startSeconds)).toISOString(), durationMs: seconds * 1000, status });
+    const timedTool = createTool({}, { historyFile: path.join(historyDir, 'timed-history.json') });
+    timedTool.report.addCollections([
+        // Parallel workers count once; the failed attempt and the wait before its retry do not count
+        { name: 'orders', tasks: [task(0, 10)] },
+        { name: 'users', tasks: [task(2, 6)] },
+        { name: 'events', tasks: [task(10, 4, 'failed'), task(44, 5)] }
+    ]);
+    expectEqual(timedTool.report.getTransferDurationMs(), 15000);
+
+    await timedTool.recordThroughput('native', { documents: 10, dataSize: 1024 }, timedTool.report.getTransferDurationMs());
+    await timedTool.recordThroughput('native', { documents: 10, dataSize: 1024 }, 0);
+    expectEqual((await timedTool.loadThroughputHistory()).map(run => run.durationMs), [15000]);
+});
+
+await check('dry run prints the summary and never dumps or writes', async () => {
+    const dryRunTool = createTool({ dryRun: true });
+
+    const calls = [];
+    const config = {
+        source: { uri: 'mongodb://source', database: 'shop' },
+        destination: { uri: 'mongodb://dest', database: 'shop' },
+        options: { strategy: 'drop', parallelProcesses: 2, verification: 'counts', engine: 'tools' }
+    };
+    dryRunTool.getConnectionConfig = async () => config;
+    dryRunTool.validateConnections = async () => {};
+    dryRunTool.selectCollections = async () => ({ collections: ['orders'], views: [], buckets: [] });
+    dryRunTool.getRenameRules = async () => undefined;
+    dryRunTool.getFilterRules = async () => ({});
+    dryRunTool.estimateMigration = async () => ({
+        collections: [{ name: 'orders', targetName: 'orders', documents: 1204, dataSize: 2048, indexSize: 512, existingDocuments: 300 }],
+        totals: { documents: 1204, dataSize: 2048, indexSize: 512 },
+        dropped: { collections: 4, documents: 9000 },
+        duration: null
+    });
+    dryRunTool.printMigrationSummary = async (...args) => calls.push(['summary', args[4].dropped.documents]);
+    ['askForConfirmation', 'offerToSavePlan', 'prepareCheckpoint', 'performMigration', 'verifyMigration'].forEach(method => {
+        dryRunTool[method] = async () => calls.push([method]);
+    });
+
+    await dryRunTool.run();
+    expectEqual(calls, [['summary', 9000]]);
+    expectEqual(dryRunTool.checkpoint, undefined);
+});
+
+await check('prints the estimate table', () => {
+    const lines = [];
+    const originalLog = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        tool.printEstimateTable({
+            collections: [
+                { name: 'orders', targetName: 'orders_v2', strategy: 'skip', documents: 1204, dataSize: 2048, indexSize: 512, existingDocuments: 300 },
+                { name: 'users', targetName: 'users', documents: 10, dataSize: 100, indexSize: 0, existingDocuments: null }
+            ],
+            totals: { documents: 1214, dataSize: 2148, indexSize: 512 },
+            dropped: null,
+            duration: { ms: 90000, bytesPerSecond: 1024 * 1024, runs: 3 }
+        });
+    } finally {
+        console.log = originalLog;
+    }
+
+    const output = lines.join('\n');
+    expectEqual(output.includes("exists as 'orders_v2' (300 docs, existing kept)"), true);
+    expectEqual(output.includes('1,214'), true);
+    expectEqual(output.includes('~1.5m (at 1.0 MB/s, from 3 previous runs)'), true);
+});
+
+await fs.rm(historyDir, { recursive: true, force: true });
+
+finish('Dry run');
@@ -0,0 +1,46 @@
+import chalk from 'chalk';
+import { MongoMigrationTool, CliError, parseCliArguments } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test per-collection query filters for partial migrations
+console.log(chalk.blue('🧪 Testing Query-Filtered Migration\n'));
+
+const tool = new MongoMigrationTool({});
+const recentEvents = '{"createdAt": {"$gte": {"$date": "2026-07-20T00:00:00Z"}}}';
+
+await check('parses repeated --query flags', () => {
+    const options = parseCliArguments(['--query', `events=${recentEvents}`, '--query', 'orders={"tenantId":"acme"}']);
+    expectEqual(Object.keys(options.filters), ['events', 'orders']);
+    expectEqual(options.filters.orders, '{"tenantId":"acme"}');
+    expectEqual(parseCliArguments([]).filters, undefined);
+});
+
+await check('rejects --query entries without a collection', () => expectThrows(() => parseCliArguments(['--query', '{"a":1}']), CliError));
+
+await check('validates Extended JSON queries', () => {
+    expectEqual(tool.validateQuery(recentEvents), true);
+    expectEqual(tool.validateQuery('[1, 2]'), 'Query must be a JSON object');
+    expectEqual(tool.validateQuery('{tenantId: acme}').startsWith('Invalid Extended JSON'), true);
+});
+
+await check('only selected collections can be filtered', async () => {
+    tool.validateFilters({ events: recentEvents }, ['events', 'users']);
+    await expectThrows(() => tool.validateFilters({ active_users: '{}' }, ['events']), CliError);
+    await expectThrows(() => tool.validateFilters({ events: '{' }, ['events']), CliError);
+});
+
+await check('verification compares against matching source documents only', async () => {
+    const seen = [];
+    const collection = {
+        countDocuments: async (filter) => { seen.push(filter); return 0; },
+        find: (filter) => {
+            seen.push(filter);
+            const cursor = { sort: () => cursor, limit: () => cursor, next: async () => null };
+            return cursor;
+        }
+    };
+    await tool.getCollectionFingerprint(collection, 'counts', recentEvents);
+    expectEqual(seen.every(filter => filter.createdAt.$gte instanceof Date), true);
+});
+
+finish('Query filter');
@@ -0,0 +1,50 @@
+import chalk from 'chalk';
+import { ObjectId } from 'mongodb';
+import { MongoMigrationTool, CliError } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test GridFS bucket selection and chunk-count checks with an in-memory database stand-in
+const fakeDb = (collections) => ({
+    collection: (name) => ({
+        aggregate: () => {
+            const counts = new Map();
+            (collections[name] || []).forEach(chunk => {
+                const key = chunk.files_id.toHexString();
+                counts.set(key, { _id: chunk.files_id, count: (counts.get(key)?.count ?? 0) + 1 });
+            });
+            return counts.values();
+        },
+        find: () => ({ toArray: async () => collections[name] || [] })
+    })
+});
+
+console.log(chalk.blue('🧪 Testing GridFS Bucket Migration\n'));
+
+const tool = new MongoMigrationTool({});
+const complete = { _id: new ObjectId(), length: 600, chunkSize: 255 };
+const partial = { _id: new ObjectId(), length: 600, chunkSize: 255 };
+const empty = { _id: new ObjectId(), length: 0, chunkSize: 255 };
+const chunksFor = (file, n) => Array.from({ length: n }, (_, index) => ({ files_id: file._id, n: index }));
+
+await check('expands buckets into their .files and .chunks collections', () => {
+    expectEqual(tool.getBucketCollections(['fs', 'attachments']), ['fs.files', 'fs.chunks', 'attachments.files', 'attachments.chunks']);
+});
+
+await check('reports files with missing chunks', async () => {
+    const report = await tool.getGridFSReport(fakeDb({
+        'uploads.files': [complete, partial, empty],
+        'uploads.chunks': [...chunksFor(complete, 3), ...chunksFor(partial, 2)]
+    }), 'uploads');
+    expectEqual(report.files, 3);
+    expectEqual(report.chunks, 5);
+    expectEqual(report.incomplete, [`{"$oid":"${partial._id.toHexString()}"}`]);
+});
+
+await check('buckets are opt-in: excluded from --all, selectable by name', async () => {
+    const names = ['orders', 'users'];
+    expectEqual(new MongoMigrationTool({ all: true }).getCollectionsFromArgs(names, ['gridfs:fs']), names);
+    expectEqual(new MongoMigrationTool({ collections: ['users', 'gridfs:fs'] }).getCollectionsFromArgs(names, ['gridfs:fs']), ['users', 'gridfs:fs']);
+    await expectThrows(() => new MongoMigrationTool({ collections: ['gridfs:missing'] }).getCollectionsFromArgs(names, ['gridfs:fs']), CliError);
+});
+
+finish('GridFS');
@@ -0,0 +1,51 @@
+import chalk from 'chalk';
+import { MongoMigrationTool } from '../migrate.js';
+
+// Minimal check/assert helpers shared by the unit-style test scripts
+let failures = 0;
+
+export function check(description, fn) {
+    return Promise.resolve()
+        .then(fn)
+        .then(() => console.log(chalk.green(`✅ ${description}`)))
+        .catch((error) => {
+            failures++;
+            console.log(chalk.red(`❌ ${description}: ${error.message}`));
+        });
+}
+
+export function expectEqual(actual, expected) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+export async function expectThrows(fn, ErrorClass = Error, predicate = () => true) {
+    try {
+        await fn();
+    } catch (error) {
+        if (!(error instanceof ErrorClass)) throw error;
+        if (!predicate(error)) {
+            throw new Error(`unexpected ${error.name}: ${error.message}`);
+        }
+        return error;
+    }
+    throw new Error(`expected a ${ErrorClass.name}`);
+}
+
+// A tool with console logging silenced; cliOptions default to non-interactive, and properties
+// (directories, stubbed methods, ...) are set on the instance
+export function createTool(cliOptions = {}, properties = {}) {
+    const tool = new MongoMigrationTool({ nonInteractive: true, ...cliOptions });
+    ['info', 'success', 'warn', 'debug', 'error'].forEach(level => { tool.logger[level] = () => {}; });
+    return Object.assign(tool, properties);
+}
+
+export function finish(name) {
+    console.log('');
+    if (failures > 0) {
+        console.log(chalk.red(`💥 ${failures} ${name} test(s) failed`));
+        process.exit(1);
+    }
+    console.log(chalk.green(`✅ ${name} test completed!`));
+}
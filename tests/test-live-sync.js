@@ -0,0 +1,129 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BSON } from 'mongodb';
+import { CliError, parseCliArguments } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish, createTool } from './test-helpers.js';
+
+// Test live sync: applying change events, the follow loop's drain/cutover handling and the persisted position
+console.log(chalk.blue('🧪 Testing Live Sync\n'));
+
+const tool = createTool();
+
+class FakeCollection {
+    constructor(name, operations) {
+        this.name = name;
+        this.operations = operations;
+    }
+
+    async replaceOne(filter, document, options) {
+        this.operations.push(['replace', this.name, filter._id, document.status, options.upsert]);
+    }
+
+    async deleteOne(filter) {
+        this.operations.push(['delete', this.name, filter._id]);
+    }
+}
+
+const createDestination = () => {
+    const operations = [];
+    return { operations, collection: (name) => new FakeCollection(name, operations) };
+};
+
+const event = (operationType, id, status) => ({
+    operationType,
+    ns: { db: 'shop', coll: 'orders' },
+    documentKey: { _id: id },
+    fullDocument: status === undefined ? null : { _id: id, status },
+    wallTime: new Date()
+});
+
+await check('parses --follow', () => {
+    expectEqual(parseCliArguments(['--follow']).follow, true);
+    expectEqual(parseCliArguments([]).follow, undefined);
+});
+
+await check('only watches the migrated collections', () => {
+    expectEqual(tool.buildChangeStreamPipeline(['orders', 'users']), [{ $match: { 'ns.coll': { $in: ['orders', 'users'] } } }]);
+});
+
+await check('applies inserts, updates, replaces and deletes under destination names', async () => {
+    const destination = createDestination();
+    const targetNames = { orders: 'orders_v2' };
+
+    await tool.applyChange(destination, event('insert', 1, 'new'), targetNames);
+    await tool.applyChange(destination, event('update', 1, 'paid'), targetNames);
+    await tool.applyChange(destination, event('update', 2), targetNames);
+    await tool.applyChange(destination, event('replace', 3, 'void'), targetNames);
+    await tool.applyChange(destination, event('delete', 1), targetNames);
+
+    expectEqual(destination.operations, [
+        ['replace', 'orders_v2', 1, 'new', true],
+        ['replace', 'orders_v2', 1, 'paid', true],
+        ['replace', 'orders_v2', 3, 'void', true],
+        ['delete', 'orders_v2', 1]
+    ]);
+});
+
+await check('stops on events that would desynchronize the copy', async () => {
+    await expectThrows(() => tool.applyChange(createDestination(), { operationType: 'drop', ns: { coll: 'orders' } }), Error,
+        error => error.message.includes("'drop'"));
+});
+
+await check('drains pending changes after cutover and saves the last position', async () => {
+    const destination = createDestination();
+    const events = [event('insert', 1, 'new'), event('update', 1, 'paid'), null, event('delete', 1), null];
+    let polls = 0;
+    const stream = {
+        resumeToken: { _data: '00' },
+        async tryNext() {
+            polls++;
+            this.resumeToken = { _data: `0${polls}` };
+            return events.shift() ?? null;
+        }
+    };
+    const saved = [];
+
+    // Cutover is requested while the delete is still pending, so the loop must apply it before returning
+    const result = await tool.runFollowLoop(stream, destination, {
+        appliedChanges: 5,
+        isCutoverRequested: () => polls >= 3,
+        saveProgress: async (token, applied) => saved.push([token._data, applied])
+    });
+
+    expectEqual(result, { appliedChanges: 8 });
+    expectEqual(destination.operations.map(([operation]) => operation), ['replace', 'replace', 'delete']);
+    expectEqual(saved[saved.length - 1], ['05', 8]);
+});
+
+await check('persists the resume token as Extended JSON', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-sync-'));
+    const statePath = path.join(tempDir, 'sync-state.json');
+    const resumeToken = { _data: '8265A1B2C3000000012B022C0100296E5A1004' };
+
+    await tool.writeSyncState(statePath, { fingerprint: 'abc', resumeToken, appliedChanges: 42 });
+    const state = await tool.readSyncState(statePath);
+    expectEqual([state.fingerprint, state.resumeToken, state.appliedChanges], ['abc', resumeToken, 42]);
+    expectEqual(await tool.readSyncState(path.join(tempDir, 'missing.json')), null);
+
+    await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+await check('reads event times from wallTime or clusterTime', () => {
+    const wallTime = new Date('2025-07-25T09:30:00Z');
+    expectEqual(tool.getChangeTime({ wallTime }).toISOString(), wallTime.toISOString());
+    const clusterTime = new BSON.Timestamp({ t: wallTime.getTime() / 1000, i: 1 });
+    expectEqual(tool.getChangeTime({ clusterTime }).toISOString(), wallTime.toISOString());
+});
+
+await check('refuses to follow collections migrated with a query', async () => {
+    const config = {
+        source: { uri: 'mongodb://source', database: 'shop' },
+        destination: { uri: 'mongodb://dest', database: 'shop' },
+        options: { follow: true, filters: { orders: '{"status":"open"}' } }
+    };
+    await expectThrows(() => tool.prepareLiveSync(config, ['orders']), CliError, error => error.message.includes('orders'));
+});
+
+finish('Live sync');
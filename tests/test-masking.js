@@ -0,0 +1,131 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CliError, parseCliArguments, validateSchema, PLAN_SCHEMA } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish, createTool } from './test-helpers.js';
+
+// Test PII masking profiles: loading and validation, each strategy, nested/array paths and composition with transforms
+console.log(chalk.blue('🧪 Testing PII Masking Profiles\n'));
+
+const profileDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-masking-'));
+await fs.writeFile(path.join(profileDir, 'staging.yaml'), `version: 1
+name: staging-pii
+salt: test-salt
+collections:
+  users:
+    email: { strategy: fake, type: email }
+    name: { strategy: fake, type: name }
+    phones: { strategy: redact, keepLast: 2 }
+    ssn: { strategy: nullify }
+    addresses.street: { strategy: fixed, value: REDACTED }
+    externalId: { strategy: hash, length: 12 }
+`);
+await fs.writeFile(path.join(profileDir, 'invalid.json'), JSON.stringify({
+    version: 1,
+    collections: { users: { email: { strategy: 'fake' }, phone: { strategy: 'scramble' } } }
+}));
+
+const user = () => ({
+    _id: 1,
+    email: 'jane.doe@corp.example',
+    name: 'Jane Doe',
+    phones: ['+44 20 7946 0018', null],
+    ssn: '078-05-1120',
+    addresses: [{ street: '1 Main St', city: 'Leeds' }, { city: 'York' }],
+    externalId: 'cust-981'
+});
+
+await check('parses --mask and accepts masking in plans', () => {
+    expectEqual(parseCliArguments(['--mask', 'staging']).mask, 'staging');
+    const plan = {
+        version: 1,
+        source: { connection: 'prod', database: 'shop' },
+        destination: { connection: 'staging', database: 'shop' },
+        collections: ['users'],
+        options: { masking: 'staging' }
+    };
+    expectEqual(validateSchema(plan, PLAN_SCHEMA), []);
+});
+
+await check('finds profiles by name in the profile directory or by path', async () => {
+    const tool = createTool({}, { maskingDir: profileDir });
+    expectEqual(await tool.listMaskingProfiles(), ['invalid', 'staging']);
+
+    const profile = await tool.loadMaskingProfile('staging');
+    expectEqual([profile.name, profile.file, profile.salt], ['staging-pii', path.join(profileDir, 'staging.yaml'), 'test-salt']);
+    expectEqual((await tool.loadMaskingProfile(path.join(profileDir, 'staging.yaml'))).name, 'staging-pii');
+
+    await expectThrows(() => tool.loadMaskingProfile('production'), CliError, error => error.message.includes('invalid, staging'));
+});
+
+await check('rejects profiles with unknown strategies or missing options', async () => {
+    const tool = createTool({}, { maskingDir: profileDir });
+    const errors = [];
+    tool.logger.error = (message) => errors.push(message);
+    await expectThrows(() => tool.loadMaskingProfile('invalid'), CliError, error => error.message.includes('invalid.json'));
+    expectEqual(errors.some(error => error.includes('phone.strategy must be one of')), true);
+
+    expectEqual(tool.validateMaskingProfile({ version: 1, collections: { users: { email: { strategy: 'fake' } } } }),
+        ['profile.collections.users.email: the fake strategy needs a type (name, firstName, lastName, email, phone, address, city)']);
+});
+
+await check('masks nested and array paths with each strategy', async () => {
+    const tool = createTool({}, { maskingDir: profileDir });
+    const profile = await tool.loadMaskingProfile('staging');
+    const mask = tool.createMaskingTransform(profile.collections.users, profile.salt);
+    const masked = mask(user());
+
+    expectEqual(masked.email.endsWith('@example.com'), true);
+    expectEqual(masked.name.split(' ').length, 2);
+    expectEqual(masked.phones, ['**************18', null]);
+    expectEqual(masked.ssn, null);
+    expectEqual(masked.addresses, [{ street: 'REDACTED', city: 'Leeds' }, { city: 'York' }]);
+    expectEqual(masked.externalId.length, 12);
+    expectEqual(masked._id, 1);
+});
+
+await check('hashes and fakes are deterministic per salt', async () => {
+    const tool = createTool({}, { maskingDir: profileDir });
+    const profile = await tool.loadMaskingProfile('staging');
+    const first = tool.createMaskingTransform(profile.collections.users, profile.salt)(user());
+    const second = tool.createMaskingTransform(profile.collections.users, profile.salt)(user());
+    const otherSalt = tool.createMaskingTransform(profile.collections.users, 'other-salt')(user());
+
+    expectEqual([second.email, second.externalId], [first.email, first.externalId]);
+    expectEqual(otherSalt.externalId === first.externalId, false);
+});
+
+await check('generates realistic fake values', () => {
+    const tool = createTool({}, { maskingDir: profileDir });
+    const digest = Buffer.alloc(32, 7);
+    expectEqual(/^[a-z]+\.[a-z]+\d+@example\.com$/.test(tool.generateFake('email', digest)), true);
+    expectEqual(/^\+1-\d{3}-555-01\d{2}$/.test(tool.generateFake('phone', digest)), true);
+    expectEqual(/^\d+ [A-Z][a-z]+ Street$/.test(tool.generateFake('address', digest)), true);
+});
+
+await check('redacts all but the kept characters', () => {
+    const tool = createTool({}, { maskingDir: profileDir });
+    expectEqual(tool.redactValue('4111111111111111', {}), '************1111');
+    expectEqual(tool.redactValue('jane@corp.example', { keepFirst: 1, keepLast: 0, char: '#' }), 'j################');
+    expectEqual(tool.redactValue('abc', { keepFirst: 2, keepLast: 2 }), '***');
+});
+
+await check('masks before a collection transform runs', async () => {
+    const tool = createTool({}, { maskingDir: profileDir });
+    const profile = await tool.loadMaskingProfile('staging');
+    const transformers = tool.addMaskingTransforms({ users: (doc) => ({ contact: doc.email }) }, profile, ['users', 'orders']);
+
+    expectEqual(Object.keys(transformers), ['users']);
+    expectEqual((await transformers.users(user())).contact.endsWith('@example.com'), true);
+    expectEqual(tool.getMaskedCollections(profile, ['users', 'orders']), ['users']);
+});
+
+await check('no profile is used unless one is given', async () => {
+    expectEqual(await createTool({}, { maskingDir: profileDir }).getMaskingProfileName(), null);
+    expectEqual(await createTool({ mask: 'staging' }, { maskingDir: profileDir }).getMaskingProfileName(), 'staging');
+});
+
+await fs.rm(profileDir, { recursive: true, force: true });
+
+finish('Masking');
@@ -0,0 +1,179 @@
+import chalk from 'chalk';
+import { MongoMigrationTool } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test the native driver engine against in-memory stand-ins for source and destination databases
+class FakeCollection {
+    constructor(docs = [], indexes = [{ v: 2, key: { _id: 1 }, name: '_id_' }]) {
+        this.docs = docs;
+        this.indexSpecs = indexes;
+        this.insertCalls = 0;
+    }
+
+    async estimatedDocumentCount() {
+        return this.docs.length;
+    }
+
+    async countDocuments(filter) {
+        return this.docs.filter(doc => Object.entries(filter).every(([key, value]) => doc[key] === value)).length;
+    }
+
+    find(filter = {}) {
+        const docs = this.docs.filter(doc => Object.entries(filter).every(([key, value]) => doc[key] === value));
+        return { [Symbol.asyncIterator]: async function* () { yield* docs; } };
+    }
+
+    async insertMany(docs) {
+        this.insertCalls++;
+        const existing = new Set(this.docs.map(doc => doc._id));
+        const fresh = docs.filter(doc => !existing.has(doc._id));
+        this.docs.push(...fresh);
+        if (fresh.length < docs.length) {
+            const error = new Error('E11000 duplicate key error');
+            error.writeErrors = docs.filter(doc => existing.has(doc._id)).map(() => ({ code: 11000 }));
+            error.result = { insertedCount: fresh.length };
+            throw error;
+        }
+        return { insertedCount: docs.length };
+    }
+
+    async indexes() {
+        return this.indexSpecs;
+    }
+
+    async createIndexes(indexes) {
+        this.createdIndexes = indexes;
+    }
+
+    async bulkWrite(operations) {
+        let matchedCount = 0;
+        let upsertedCount = 0;
+        operations.forEach(({ replaceOne }) => {
+            const index = this.docs.findIndex(doc => doc._id === replaceOne.filter._id);
+            if (index === -1) {
+                this.docs.push(replaceOne.replacement);
+                upsertedCount++;
+            } else {
+                this.docs[index] = replaceOne.replacement;
+                matchedCount++;
+            }
+        });
+        return { matchedCount, upsertedCount };
+    }
+
+    async drop() {
+        this.dropped = true;
+        this.docs = [];
+    }
+}
+
+class FakeDb {
+    constructor(collections = {}) {
+        this.collections = collections;
+        this.existing = new Set(Object.keys(collections));
+        this.created = [];
+    }
+
+    collection(name) {
+        this.collections[name] ??= new FakeCollection();
+        return this.collections[name];
+    }
+
+    listCollections({ name }) {
+        const found = this.existing.has(name) ? [{ name, options: { validator: { total: { $gte: 0 } } } }] : [];
+        return { toArray: async () => found };
+    }
+
+    async createCollection(name, options) {
+        this.created.push({ name, options });
+        this.existing.add(name);
+    }
+}
+
+console.log(chalk.blue('🧪 Testing Native Driver Engine\n'));
+
+const tool = new MongoMigrationTool({});
+['info', 'success', 'warn'].forEach(level => { tool.logger[level] = () => {}; });
+
+const orders = Array.from({ length: 2500 }, (_, index) => ({ _id: index, tenantId: index % 2 ? 'acme' : 'globex', total: index }));
+
+await check('copies documents in batches with collection options and indexes', async () => {
+    const source = new FakeDb({ orders: new FakeCollection(orders, [
+        { v: 2, key: { _id: 1 }, name: '_id_' },
+        { v: 2, key: { tenantId: 1 }, name: 'tenantId_1', ns: 'app.orders' }
+    ]) });
+    const destination = new FakeDb();
+
+    const result = await tool.transferCollection(source, destination, 'orders', { targetName: 'orders_copy' });
+    expectEqual(result.documents, 2500);
+    expectEqual(destination.collections.orders_copy.docs.length, 2500);
+    expectEqual(destination.collections.orders_copy.insertCalls, 3);
+    expectEqual(destination.created[0].options, { validator: { total: { $gte: 0 } } });
+    expectEqual(destination.collections.orders_copy.createdIndexes, [{ key: { tenantId: 1 }, name: 'tenantId_1' }]);
+});
+
+await check('applies query filters', async () => {
+    const destination = new FakeDb();
+    const result = await tool.transferCollection(new FakeDb({ orders: new FakeCollection(orders) }), destination, 'orders', {
+        query: '{"tenantId": "acme"}'
+    });
+    expectEqual(result.documents, 1250);
+});
+
+await check('skips documents that already exist on the destination', async () => {
+    const target = new FakeCollection(orders.slice(0, 10));
+    const result = await tool.insertBatch(target, orders.slice(0, 20));
+    expectEqual(result, { inserted: 10, duplicates: 10 });
+});
+
+await check('other write errors fail the collection', () => expectThrows(() => tool.insertBatch({
+    insertMany: async () => {
+        const error = new Error('Document failed validation');
+        error.writeErrors = [{ code: 121 }];
+        throw error;
+    }
+}, orders.slice(0, 1))));
+
+await check('drop strategy drops only the target collection before copying', async () => {
+    const destination = new FakeDb({ orders: new FakeCollection(orders.slice(0, 5).map(doc => ({ ...doc, stale: true }))) });
+    await tool.transferCollection(new FakeDb({ orders: new FakeCollection(orders.slice(0, 20)) }), destination, 'orders', { strategy: 'drop' });
+    expectEqual(destination.collections.orders.dropped, true);
+    expectEqual(destination.collections.orders.docs.length, 20);
+    expectEqual(destination.collections.orders.docs.some(doc => doc.stale), false);
+});
+
+await check('upsert strategy overwrites existing documents by _id', async () => {
+    const destination = new FakeDb({ orders: new FakeCollection(orders.slice(0, 5).map(doc => ({ ...doc, stale: true }))) });
+    const result = await tool.transferCollection(new FakeDb({ orders: new FakeCollection(orders.slice(0, 20)) }), destination, 'orders', { strategy: 'upsert' });
+    expectEqual(result.duplicates, 5);
+    expectEqual(destination.collections.orders.docs.length, 20);
+    expectEqual(destination.collections.orders.docs.some(doc => doc.stale), false);
+});
+
+await check('applies transforms, skipping documents the transform returns null for', async () => {
+    const destination = new FakeDb();
+    const result = await tool.transferCollection(new FakeDb({ orders: new FakeCollection(orders.slice(0, 20)) }), destination, 'orders', {
+        transform: (doc) => (doc.total % 4 === 0 ? null : { _id: doc._id, amount: doc.total })
+    });
+    expectEqual([result.documents, result.skipped], [15, 5]);
+    expectEqual(destination.collections.orders.docs[0], { _id: 1, amount: 1 });
+});
+
+await check('transform errors are reported per document and fail the collection', async () => {
+    const errors = [];
+    tool.logger.error = (message) => errors.push(message);
+    try {
+        await expectThrows(() => tool.transferCollection(new FakeDb({ orders: new FakeCollection(orders.slice(0, 20)) }), new FakeDb(), 'orders', {
+            transform: (doc) => {
+                if (doc._id >= 12) throw new Error('cannot parse date');
+                return doc;
+            }
+        }), Error, error => error.message === '8 documents failed to transform (first 5 logged)');
+    } finally {
+        delete tool.logger.error;
+    }
+    expectEqual(errors.length, 5);
+    expectEqual(errors[0].includes('orders: transform failed for _id 12: cannot parse date'), true);
+});
+
+finish('Native engine');
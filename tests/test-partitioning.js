@@ -0,0 +1,274 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MigrationCheckpoint, CliError, parseCliArguments, validateSchema, PLAN_SCHEMA } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish, createTool } from './test-helpers.js';
+
+// Test range partitioning of large collections: boundaries, coverage checks and copying ranges on several workers
+console.log(chalk.blue('🧪 Testing Range Partitioning\n'));
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-partitioning-'));
+const GB = 1024 ** 3;
+
+// Enough of the query language for range and equality filters
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') {
+            return condition.every(part => matches(doc, part));
+        }
+        const value = doc[key];
+        if (condition === null || typeof condition !== 'object') {
+            return value === condition;
+        }
+        // Like the server, range operators only match values of the same type
+        return Object.entries(condition).every(([operator, bound]) => typeof value === typeof bound &&
+            (operator === '$gte' ? value >= bound : value < bound));
+    });
+}
+
+class FakeCollection {
+    constructor(docs = [], indexes = [{ key: { _id: 1 }, name: '_id_' }]) {
+        this.docs = docs;
+        this.indexSpecs = indexes;
+    }
+
+    async countDocuments(filter = {}) {
+        return this.docs.filter(doc => matches(doc, filter)).length;
+    }
+
+    aggregate(pipeline) {
+        // Stands in for $sample + $sort: every matching key, numbers before strings as in BSON order
+        const { key } = pipeline.find(stage => stage.$project).$project;
+        const filter = pipeline.find(stage => stage.$match)?.$match ?? {};
+        const compare = (a, b) => (typeof a !== typeof b ? (typeof a === 'number' ? -1 : 1) : a < b ? -1 : a > b ? 1 : 0);
+        const keys = this.docs.filter(doc => matches(doc, filter)).map(doc => doc[key.slice(1)]).sort(compare);
+        return { toArray: async () => keys.map(value => ({ key: value })) };
+    }
+
+    find(filter = {}) {
+        const docs = this.docs.filter(doc => matches(doc, filter));
+        return { [Symbol.asyncIterator]: async function* () { yield* docs; } };
+    }
+
+    async estimatedDocumentCount() {
+        return this.docs.length;
+    }
+
+    async insertMany(docs) {
+        this.docs.push(...docs);
+        return { insertedCount: docs.length };
+    }
+
+    async indexes() {
+        return this.indexSpecs;
+    }
+
+    async createIndexes(indexes) {
+        this.createdIndexes = (this.createdIndexes ?? 0) + 1;
+        this.indexSpecs = [...this.indexSpecs, ...indexes];
+    }
+
+    async drop() {
+        this.drops = (this.drops ?? 0) + 1;
+        this.docs = [];
+    }
+}
+
+class FakeDb {
+    constructor(collections = {}, options = {}) {
+        this.collections = collections;
+        this.options = options;
+    }
+
+    collection(name) {
+        this.collections[name] ??= new FakeCollection();
+        return this.collections[name];
+    }
+
+    listCollections({ name }) {
+        const found = this.collections[name] ? [{ name, options: this.options[name] ?? {} }] : [];
+        return { toArray: async () => found };
+    }
+
+    async createCollection(name) {
+        this.collections[name] = new FakeCollection();
+    }
+}
+
+const orders = () => Array.from({ length: 100 }, (_, index) => ({ _id: index, total: index * 10 }));
+
+const createConfig = (engine, partitions, extra = {}) => ({
+    source: { uri: 'mongodb://source', database: 'shop' },
+    destination: { uri: 'mongodb://dest', database: 'shop' },
+    options: { strategy: 'drop', parallelProcesses: 3, engine, follow: false },
+    partitions,
+    ...extra
+});
+
+await check('parses --partition-size and --partition-key and accepts them in plans', async () => {
+    const options = parseCliArguments(['--partition-size', '512MB', '--partition-key', 'events=createdAt']);
+    expectEqual([options.partitionSize, options.partitionKeys], ['512MB', { events: 'createdAt' }]);
+    await expectThrows(() => parseCliArguments(['--partition-key', 'createdAt']), CliError);
+
+    const plan = {
+        version: 1,
+        source: { connection: 'prod', database: 'shop' },
+        destination: { connection: 'staging', database: 'shop' },
+        collections: ['events'],
+        options: { partitionSize: '4GB', partitionKeys: { events: 'createdAt' } }
+    };
+    expectEqual(validateSchema(plan, PLAN_SCHEMA), []);
+});
+
+await check('reads partition sizes with units, or off', async () => {
+    const tool = createTool({}, { tempDir });
+    expectEqual(tool.parsePartitionSize('8GB'), 8 * GB);
+    expectEqual(tool.parsePartitionSize('1.5 gb'), 1.5 * GB);
+    expectEqual(tool.parsePartitionSize('512MB'), 512 * 1024 ** 2);
+    expectEqual(tool.parsePartitionSize('off'), null);
+    await expectThrows(() => tool.parsePartitionSize('10KB'), CliError, error => error.message.includes('at least 1MB'));
+    await expectThrows(() => tool.parsePartitionSize('huge'), CliError);
+});
+
+await check('partition keys must name selected collections', async () => {
+    const selection = { collections: ['orders'] };
+    expectEqual(createTool({}, { tempDir }).getPartitionRules(selection), { partitionSize: '8GB', partitionKeys: {} });
+    await expectThrows(() => createTool({ partitionKeys: { events: 'createdAt' } }, { tempDir }).getPartitionRules(selection), CliError,
+        error => error.message.includes("'events'"));
+    await expectThrows(() => createTool({ partitionKeys: { orders: '$total' } }, { tempDir }).getPartitionRules(selection), CliError);
+});
+
+await check('picks evenly spaced boundaries and collapses repeated keys', () => {
+    const tool = createTool({}, { tempDir });
+    expectEqual(tool.pickPartitionBoundaries(Array.from({ length: 100 }, (_, index) => index), 4), [25, 50, 75]);
+    expectEqual(tool.pickPartitionBoundaries(['a', 'a', 'a', 'a', 'b', 'c'], 3), ['b']);
+    expectEqual(tool.pickPartitionBoundaries([], 4), []);
+});
+
+await check('builds half-open ranges that tile the key space', () => {
+    const queries = createTool({}, { tempDir }).buildPartitionQueries('_id', [10, 20], { status: 'paid' });
+    expectEqual(queries, [
+        { $and: [{ status: 'paid' }, { _id: { $lt: 10 } }] },
+        { $and: [{ status: 'paid' }, { _id: { $gte: 10, $lt: 20 } }] },
+        { $and: [{ status: 'paid' }, { _id: { $gte: 20 } }] }
+    ]);
+});
+
+await check('plans ranges with their document counts and share of the size', async () => {
+    const tool = createTool({}, { tempDir });
+    const db = new FakeDb({ orders: new FakeCollection(orders()) });
+    const plan = await tool.planCollectionPartitions(db, 'orders', { field: '_id', count: 4, bytes: 40 * GB });
+
+    expectEqual([plan.field, plan.documents, plan.ranges.length], ['_id', 100, 4]);
+    expectEqual(plan.ranges.map(range => range.documents), [25, 25, 25, 25]);
+    expectEqual(plan.ranges.map(range => range.bytes), [10 * GB, 10 * GB, 10 * GB, 10 * GB]);
+    expectEqual(plan.ranges[1].query, '{"_id":{"$gte":{"$numberInt":"25"},"$lt":{"$numberInt":"50"}}}');
+
+    // User filters narrow every range as well as the coverage count
+    const filtered = await tool.planCollectionPartitions(db, 'orders', { field: '_id', count: 2, bytes: GB, query: '{"total":{"$gte":500}}' });
+    expectEqual([filtered.documents, filtered.ranges.map(range => range.documents)], [50, [25, 25]]);
+});
+
+await check('copies whole when the ranges would miss documents', async () => {
+    const tool = createTool({}, { tempDir });
+    const warnings = [];
+    tool.logger.warn = (message) => warnings.push(message);
+
+    // String _ids sort outside the numeric ranges, so the ranges cover only part of the collection
+    const mixed = [...orders(), { _id: 'legacy-1' }, { _id: 'legacy-2' }];
+    const db = new FakeDb({ orders: new FakeCollection(mixed) });
+    expectEqual(await tool.planCollectionPartitions(db, 'orders', { field: '_id', count: 4, bytes: 40 * GB }), null);
+    expectEqual(warnings[0].includes('hold 100 of 102 documents'), true);
+});
+
+await check('only partitions by an indexed field and never capped collections', async () => {
+    const tool = createTool({}, { tempDir });
+    const db = new FakeDb({ orders: new FakeCollection(orders()) }, { orders: {} });
+    await expectThrows(() => tool.planCollectionPartitions(db, 'orders', { field: 'total', count: 2, bytes: GB }), CliError,
+        error => error.message.includes("by 'total'"));
+
+    db.collections.orders.indexSpecs.push({ key: { total: 1, _id: 1 }, name: 'total_1__id_1' });
+    expectEqual((await tool.planCollectionPartitions(db, 'orders', { field: 'total', count: 2, bytes: GB })).ranges.length, 2);
+
+    const capped = new FakeDb({ log: new FakeCollection(orders()) }, { log: { capped: true, size: 4096 } });
+    expectEqual(await tool.planCollectionPartitions(capped, 'log', { field: '_id', count: 2, bytes: GB }), null);
+});
+
+await check('leaves small collections, single workers and --partition-size off alone', async () => {
+    const config = createConfig('native', undefined, { collectionSizes: { orders: 9 * GB, users: GB } });
+    expectEqual(await createTool({}, { tempDir }).planPartitions({ ...config, options: { ...config.options, parallelProcesses: 1 } }, ['orders', 'users']), {});
+    expectEqual(await createTool({}, { tempDir }).planPartitions({ ...config, options: { ...config.options, partitionSize: 'off' } }, ['orders', 'users']), {});
+    expectEqual(await createTool({}, { tempDir }).planPartitions({ ...config, options: { ...config.options, partitionSize: '10GB' } }, ['orders', 'users']), {});
+});
+
+await check('copies every range on the shared queue into a collection dropped once', async () => {
+    const tool = createTool({}, { tempDir });
+    const source = new FakeDb({ orders: new FakeCollection(orders(), [{ key: { _id: 1 }, name: '_id_' }, { key: { total: 1 }, name: 'total_1' }]) });
+    const destination = new FakeDb({ orders: new FakeCollection([{ _id: 'stale' }]) });
+    tool.connectDatabases = async () => ({ sourceDb: source, destDb: destination, close: async () => {} });
+    tool.checkpoint = MigrationCheckpoint.create(path.join(tempDir, 'native.json'), 'native', ['orders']);
+
+    const plan = await tool.planCollectionPartitions(source, 'orders', { field: '_id', count: 4, bytes: 40 * GB });
+    const workers = new Set();
+    const transfer = tool.transferCollection.bind(tool);
+    tool.transferCollection = async (sourceDb, destDb, collection, options) => {
+        workers.add(options.workerId);
+        expectEqual([options.prepare, options.copyIndexes, options.strategy], [false, false, 'skip']);
+        return transfer(sourceDb, destDb, collection, options);
+    };
+
+    await tool.copyPartitions(createConfig('native', { orders: plan }), ['orders']);
+
+    const copied = destination.collections.orders;
+    expectEqual([copied.docs.length, copied.docs.some(doc => doc._id === 'stale')], [100, false]);
+    expectEqual([workers.size, copied.createdIndexes], [3, 1]);
+    expectEqual(tool.checkpoint.isDone('restore', 'orders'), true);
+});
+
+await check('fails the collection when its ranges copy a different number of documents than planned', async () => {
+    const tool = createTool({}, { tempDir });
+    const source = new FakeDb({ orders: new FakeCollection(orders()) });
+    tool.connectDatabases = async () => ({ sourceDb: source, destDb: new FakeDb(), close: async () => {} });
+    tool.checkpoint = MigrationCheckpoint.create(path.join(tempDir, 'mismatch.json'), 'mismatch', ['orders']);
+
+    const plan = await tool.planCollectionPartitions(source, 'orders', { field: '_id', count: 2, bytes: GB });
+    source.collections.orders.docs.push({ _id: 500 });
+
+    await expectThrows(() => tool.copyPartitions(createConfig('native', { orders: plan }), ['orders']), Error,
+        error => error.message === 'Failed to copy 1 partitioned collections');
+    expectEqual(tool.checkpoint.state.collections.orders.error.includes('copied 101 documents but held 100'), true);
+
+    // With live sync the difference is applied after the copy instead
+    const following = createTool({}, { tempDir });
+    following.connectDatabases = async () => ({ sourceDb: source, destDb: new FakeDb(), close: async () => {} });
+    await following.copyPartitions({ ...createConfig('native', { orders: plan }), options: { strategy: 'skip', parallelProcesses: 2, engine: 'native', follow: true } }, ['orders']);
+});
+
+await check('the tools engine dumps each range to its own directory and restores without --drop', async () => {
+    const tool = createTool({}, { tempDir });
+    const commands = [];
+    tool.executeCommand = async (command, args, workerId, label) => {
+        commands.push([command, args, label]);
+        if (command === 'mongodump') {
+            const out = args[args.indexOf('--out') + 1];
+            await fs.mkdir(path.join(out, 'shop'), { recursive: true });
+            await fs.writeFile(path.join(out, 'shop', 'orders.bson'), '');
+        }
+        return { stdout: '', stderr: '50 document(s) restored successfully. 0 document(s) failed to restore.' };
+    };
+
+    const entry = { name: 'orders [2/2]', collection: 'orders', index: 1, query: '{"_id":{"$gte":{"$numberInt":"50"}}}' };
+    const outcome = await tool.copyPartition(createConfig('tools', {}), entry, { targetName: 'orders_copy', strategy: 'skip', workerId: 2 });
+    expectEqual(outcome, { documents: 50, duplicates: 0 });
+
+    const [[, dumpArgs, dumpLabel], [, restoreArgs]] = commands;
+    const outDir = path.join(tempDir, 'partitions', 'orders.2');
+    expectEqual([dumpLabel, dumpArgs[dumpArgs.indexOf('--out') + 1], dumpArgs[dumpArgs.indexOf('--query') + 1]], ['orders [2/2]', outDir, entry.query]);
+    expectEqual([restoreArgs.includes('--drop'), restoreArgs[restoreArgs.indexOf('--collection') + 1]], [false, 'orders_copy']);
+    await expectThrows(() => fs.access(outDir), Error);
+});
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+finish('Partitioning');
@@ -0,0 +1,66 @@
+import chalk from 'chalk';
+import { MongoMigrationTool, CliError, parseCliArguments } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test destination name mapping and prefix/suffix rules
+console.log(chalk.blue('🧪 Testing Collection Renaming\n'));
+
+const tool = new MongoMigrationTool({});
+const selection = {
+    collections: ['orders', 'users'],
+    views: [{ name: 'active_users', viewOn: 'users', pipeline: [{ $lookup: { from: 'orders', localField: '_id', foreignField: 'userId', as: 'orders' } }] }],
+    buckets: ['attachments']
+};
+
+await check('parses --rename, --prefix and --suffix into rename rules', () => {
+    const options = parseCliArguments(['--rename', 'orders=orders_snapshot_2026_10', '--suffix', '_copy']);
+    expectEqual(options.renames, { prefix: '', suffix: '_copy', mapping: { orders: 'orders_snapshot_2026_10' } });
+    expectEqual(parseCliArguments([]).renames, undefined);
+});
+
+await check('trims --rename entries and lets a later one win', () => {
+    expectEqual(parseCliArguments(['--rename', ' orders = orders_v2 ,users=members,orders=orders_v3']).renames.mapping, { orders: 'orders_v3', users: 'members' });
+});
+
+await check('rejects malformed --rename entries', async () => {
+    for (const entry of ['orders', '=orders_v2', 'orders=']) {
+        await expectThrows(() => parseCliArguments(['--rename', entry]), CliError,
+            error => error.message === `Invalid --rename entry '${entry}': expected source=target`);
+    }
+});
+
+await check('mappings take precedence over prefix and suffix', () => {
+    const targets = tool.resolveTargetNames(selection, { prefix: 'snap_', suffix: '', mapping: { orders: 'orders_snapshot_2026_10' } });
+    expectEqual(targets.orders, 'orders_snapshot_2026_10');
+    expectEqual(targets.users, 'snap_users');
+    expectEqual(targets.active_users, 'snap_active_users');
+});
+
+await check('GridFS buckets keep their .files/.chunks pairing', () => {
+    const targets = tool.resolveTargetNames(selection, { suffix: '_2026', mapping: {} });
+    expectEqual(targets['attachments.files'], 'attachments_2026.files');
+    expectEqual(targets['attachments.chunks'], 'attachments_2026.chunks');
+    const mapped = tool.resolveTargetNames(selection, { mapping: { 'gridfs:attachments': 'files_archive' } });
+    expectEqual(mapped['attachments.chunks'], 'files_archive.chunks');
+});
+
+await check('rejects duplicate, invalid and unknown target names', async () => {
+    await expectThrows(() => tool.resolveTargetNames(selection, { mapping: { orders: 'users' } }), CliError);
+    await expectThrows(() => tool.resolveTargetNames(selection, { mapping: { orders: 'bad$name' } }), CliError);
+    await expectThrows(() => tool.resolveTargetNames(selection, { mapping: { missing: 'other' } }), CliError);
+});
+
+await check('views point at the renamed collections', () => {
+    const targets = tool.resolveTargetNames(selection, { prefix: 'snap_', mapping: {} });
+    const view = tool.renameViewDefinition(selection.views[0], targets);
+    expectEqual(view.name, 'snap_active_users');
+    expectEqual(view.viewOn, 'snap_users');
+    expectEqual(view.pipeline[0].$lookup.from, 'snap_orders');
+});
+
+await check('only renamed collections are listed in the summary', () => {
+    const targets = tool.resolveTargetNames(selection, { mapping: { orders: 'orders_copy' } });
+    expectEqual(tool.getRenamedEntries(targets), [['orders', 'orders_copy']]);
+});
+
+finish('Collection renaming');
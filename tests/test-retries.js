@@ -0,0 +1,243 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CliError, EXIT_CODES, parseCliArguments } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish, createTool } from './test-helpers.js';
+
+// Test per-collection retries: error classification, exponential backoff and the interactive retry round
+console.log(chalk.blue('🧪 Testing Retries\n'));
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-retries-'));
+
+// Backoff waits are recorded instead of slept
+function createRetryTool(cliOptions = {}) {
+    const delays = [];
+    return createTool(cliOptions, { delays, sleep: async (ms) => { delays.push(ms); } });
+}
+
+function networkError(message = 'connection reset by peer') {
+    const error = new Error(message);
+    error.name = 'MongoNetworkError';
+    return error;
+}
+
+await check('parses --retries and --retry-delay', async () => {
+    const options = parseCliArguments(['--retries', '5', '--retry-delay', '0.5']);
+    expectEqual([options.retries, options.retryDelay], ['5', '0.5']);
+    expectEqual(createRetryTool().getRetryPolicy(), { retries: 2, delayMs: 2000 });
+    expectEqual(createRetryTool({ retries: '0', retryDelay: '0.25' }).getRetryPolicy(), { retries: 0, delayMs: 250 });
+
+    await expectThrows(() => createRetryTool({ retries: '11' }).getRetryPolicy(), CliError, error => error.message.includes('between 0 and 10'));
+    await expectThrows(() => createRetryTool({ retries: '-1' }).getRetryPolicy(), CliError);
+    await expectThrows(() => createRetryTool({ retryDelay: 'soon' }).getRetryPolicy(), CliError, error => error.message.includes('--retry-delay'));
+});
+
+await check('retries network errors, timeouts and stepdowns but not fatal errors', () => {
+    const tool = createRetryTool();
+    const steppedDown = Object.assign(new Error('operation was interrupted'), { code: 11602 });
+    const retryable = [
+        networkError(),
+        steppedDown,
+        new Error('read ECONNRESET'),
+        new Error('mongodump exited with code 1: Failed: error connecting to db server: server selection error: context deadline exceeded'),
+        new Error('mongorestore exited with code 1: Failed: shop.orders: error restoring: (NotWritablePrimary) not primary'),
+        new Error('mongorestore exited with code 1: i/o timeout')
+    ];
+    const fatal = [
+        new Error('mongodump exited with code 1: Failed: can\'t create session: (AuthenticationFailed) Authentication failed.'),
+        new Error('Dump file not found: /tmp/dump/shop/orders.bson'),
+        new Error('3 documents could not be appended because their _id already exists in \'orders\''),
+        new Error('mongorestore exited with code 1: Failed: bad JSON array format'),
+        new CliError('Invalid --query value')
+    ];
+
+    expectEqual(retryable.map(error => tool.isRetryableError(error)), retryable.map(() => true));
+    expectEqual(fatal.map(error => tool.isRetryableError(error)), fatal.map(() => false));
+});
+
+await check('backs off exponentially up to a ceiling', () => {
+    const tool = createRetryTool();
+    expectEqual([1, 2, 3, 4].map(attempt => tool.getRetryDelay(attempt, 2000)), [2000, 4000, 8000, 16000]);
+    expectEqual(tool.getRetryDelay(8, 2000), 60000);
+    expectEqual(tool.getRetryDelay(3, 0), 0);
+});
+
+await check('retries a transient failure and records every attempt', async () => {
+    const tool = createRetryTool({ retries: '3', retryDelay: '1' });
+    const attempts = [];
+    const outcome = await tool.withRetries('restore', 'orders', { workerId: 2 }, async (attempt) => {
+        attempts.push(attempt);
+        if (attempt < 3) throw networkError();
+        return { documents: 10, duplicates: 0 };
+    });
+
+    expectEqual([outcome, attempts, tool.delays], [{ documents: 10, duplicates: 0 }, [1, 2, 3], [1000, 2000]]);
+    const [orders] = tool.report.toJSON().collections;
+    expectEqual([orders.status, orders.retries, orders.documents, orders.tasks.map(task => task.status)],
+        ['succeeded', 2, 10, ['failed', 'failed', 'succeeded']]);
+});
+
+await check('gives up once the retries are used, and at once on fatal errors', async () => {
+    const transient = createRetryTool({ retries: '2' });
+    let calls = 0;
+    await expectThrows(() => transient.withRetries('dump', 'orders', {}, async () => { calls++; throw networkError(); }), Error);
+    expectEqual([calls, transient.delays.length], [3, 2]);
+
+    const fatal = createRetryTool({ retries: '2' });
+    calls = 0;
+    await expectThrows(() => fatal.withRetries('dump', 'orders', {}, async () => {
+        calls++;
+        throw new Error('mongodump exited with code 1: Authentication failed.');
+    }), Error);
+    expectEqual([calls, fatal.delays.length], [1, 0]);
+});
+
+await check('retries an append restore without failing on its own partial writes', async () => {
+    const tool = createRetryTool();
+    tool.tempDir = path.join(tempDir, 'append');
+    const dumpDir = path.join(tool.tempDir, 'dump', 'shop');
+    await fs.mkdir(dumpDir, { recursive: true });
+    await fs.writeFile(path.join(dumpDir, 'orders.bson'), 'x');
+
+    const calls = [];
+    tool.executeCommand = async (command, args) => {
+        calls.push(args);
+        if (calls.length === 1) {
+            throw new Error('mongorestore exited with code 1: Failed: shop.orders: connection reset by peer');
+        }
+        return { stdout: '', stderr: '7 document(s) restored successfully. 3 document(s) failed to restore.' };
+    };
+
+    await tool.restoreData({ uri: 'mongodb://dest', database: 'shop' }, ['orders'], 1, {}, { orders: 'append' });
+    expectEqual([calls.length, tool.delays], [2, [2000]]);
+    expectEqual(tool.report.toJSON().collections[0].retries, 1);
+});
+
+await check('offers to retry only the collections that still failed', async () => {
+    const tool = createRetryTool({ nonInteractive: false, retries: '0' });
+    const prompts = [];
+    tool.confirmRetryFailed = async (failed) => {
+        prompts.push(failed);
+        return true;
+    };
+
+    const runs = [];
+    await tool.runWorkers('Backup', [{ name: 'orders' }, { name: 'users' }], 2, async (entry) => {
+        runs.push(entry.name);
+        if (entry.name === 'users' && runs.filter(name => name === 'users').length === 1) {
+            throw networkError('mongodump exited with code 1: Failed: connection reset by peer');
+        }
+    });
+
+    expectEqual(prompts, [['users']]);
+    expectEqual(runs, ['orders', 'users', 'users']);
+    expectEqual(tool.report.toJSON().collections.map(entry => entry.status), ['succeeded', 'succeeded']);
+});
+
+await check('non-interactive runs fail without offering a retry', async () => {
+    const tool = createRetryTool({ retries: '0' });
+    let prompted = false;
+    const original = tool.confirmRetryFailed.bind(tool);
+    tool.confirmRetryFailed = async (failed) => {
+        prompted = true;
+        return original(failed);
+    };
+
+    await expectThrows(() => tool.runWorkers('Backup', [{ name: 'orders' }], 1, async () => {
+        throw networkError();
+    }), Error, error => error.message === 'Backup failed for 1 collections' && error.offerRetry === false);
+    expectEqual(prompted, true);
+    expectEqual(await original(['orders']), false);
+});
+
+await check('failures no retry can fix are not offered for another round', async () => {
+    const tool = createRetryTool({ nonInteractive: false, retries: '0' });
+    let prompted = false;
+    tool.confirmRetryFailed = async () => {
+        prompted = true;
+        return true;
+    };
+
+    await expectThrows(() => tool.runWorkers('Backup', [{ name: 'orders' }], 1, async () => {
+        throw new Error('mongodump exited with code 1: Failed: invalid collection name');
+    }), Error, error => error.message === 'Backup failed for 1 collections');
+
+    const usageError = new CliError('Invalid --query value for orders', EXIT_CODES.INVALID_ARGUMENTS);
+    await expectThrows(() => tool.runWorkers('Backup', [{ name: 'orders' }], 1, async () => {
+        throw usageError;
+    }), CliError, error => error === usageError);
+    expectEqual(prompted, false);
+});
+
+await check('a usage error from a worker ends the migration without a retry prompt and keeps its exit code', async () => {
+    const tool = createRetryTool({ nonInteractive: false });
+    tool.checkpoint = { isDone: () => false, mark: async () => {} };
+    let prompted = false;
+    tool.confirmRetryFailed = async () => {
+        prompted = true;
+        return true;
+    };
+    tool.dumpCollection = async (sourceConfig, collection) => {
+        if (collection === 'orders') {
+            throw new CliError('Invalid --query value for orders');
+        }
+    };
+
+    const config = { source: { uri: 'mongodb://source', database: 'shop' }, options: { engine: 'tools', parallelProcesses: 2 } };
+    const error = await expectThrows(() => tool.performMigrationWithRetryPrompt(config, ['orders', 'users']), CliError);
+    expectEqual([prompted, error.exitCode, error.message], [false, EXIT_CODES.INVALID_ARGUMENTS, 'Invalid --query value for orders']);
+});
+
+await check('a collection whose retry was already declined is not offered again', async () => {
+    const tool = createRetryTool({ nonInteractive: false, retries: '0' });
+    tool.checkpoint = { isDone: () => false };
+    const prompts = [];
+    tool.confirmRetryFailed = async (failed) => {
+        prompts.push(failed);
+        return false;
+    };
+    tool.dumpAndRestore = (config, collections) => tool.runWorkers('Migration', collections.map(name => ({ name })), 1, async () => {
+        throw networkError();
+    });
+
+    await expectThrows(() => tool.performMigrationWithRetryPrompt({ options: { engine: 'tools' } }, ['orders']), Error,
+        error => error.message === 'Migration failed: Migration failed for 1 collections');
+    expectEqual(prompts, [['orders']]);
+});
+
+await check('a retry round of a migration copies only unfinished collections', async () => {
+    const tool = createRetryTool({ nonInteractive: false });
+    const done = new Set();
+    tool.checkpoint = { isDone: (phase, collection) => done.has(collection) };
+    const prompts = [];
+    tool.confirmRetryFailed = async (failed) => {
+        prompts.push(failed);
+        return prompts.length === 1;
+    };
+
+    let rounds = 0;
+    tool.performMigration = async () => {
+        rounds++;
+        done.add('orders');
+        if (rounds === 1) throw Object.assign(new Error('Migration failed: Failed to restore 1 collections'), { offerRetry: true });
+        done.add('users');
+    };
+    await tool.performMigrationWithRetryPrompt({}, ['orders', 'users']);
+    expectEqual([rounds, prompts], [2, [['users']]]);
+
+    // Declining the retry fails the run with the original error
+    done.clear();
+    rounds = 0;
+    tool.performMigration = async () => {
+        rounds++;
+        throw Object.assign(new Error('Migration failed: Failed to restore 2 collections'), { offerRetry: true });
+    };
+    await expectThrows(() => tool.performMigrationWithRetryPrompt({}, ['orders', 'users']), Error,
+        error => error.message === 'Migration failed: Failed to restore 2 collections');
+    expectEqual(rounds, 1);
+});
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+finish('Retries');
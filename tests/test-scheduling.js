@@ -0,0 +1,108 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { check, expectEqual, finish, createTool } from './test-helpers.js';
+
+// Test the shared work queue: largest-first ordering, idle workers taking the next job and the byte-based ETA
+console.log(chalk.blue('🧪 Testing Size-Aware Scheduling\n'));
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-scheduling-'));
+const GB = 1024 ** 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+await check('idle workers keep taking jobs while the largest collection runs', async () => {
+    const tool = createTool();
+    const entries = [
+        { name: 'tiny1', bytes: 10 },
+        { name: 'huge', bytes: 200 * GB },
+        { name: 'tiny2', bytes: 20 },
+        { name: 'tiny3', bytes: 30 },
+        { name: 'tiny4', bytes: 40 }
+    ];
+    const started = [];
+
+    await tool.runWorkQueue(entries, 2, async (entry, workerId) => {
+        started.push([entry.name, workerId]);
+        await sleep(entry.name === 'huge' ? 40 : 2);
+    });
+
+    // With a static round-robin split, worker 1 would have run huge plus two small collections
+    expectEqual(started, [['huge', 1], ['tiny4', 2], ['tiny3', 2], ['tiny2', 2], ['tiny1', 2]]);
+});
+
+await check('collections without sizes keep their list order', async () => {
+    const tool = createTool();
+    const order = [];
+    await tool.runWorkQueue([{ name: 'a' }, { name: 'b', bytes: null }, { name: 'c' }], 1, async (entry) => { order.push(entry.name); });
+    expectEqual(order, ['a', 'b', 'c']);
+});
+
+await check('reports overall progress by bytes remaining', () => {
+    const tool = createTool();
+    expectEqual(tool.formatQueueProgress({ completed: 50, total: 51, doneBytes: 2 * GB, totalBytes: 202 * GB, elapsedMs: 60000 }),
+        '📈 Overall: 50/51 collections, 2.0 GB of 202.0 GB (1.0%) │ ETA ~1h 40m');
+    expectEqual(tool.formatQueueProgress({ completed: 0, total: 2, doneBytes: 0, totalBytes: 1024, elapsedMs: 500 }),
+        '📈 Overall: 0/2 collections, 0 B of 1.0 KB (0.0%) │ ETA calculating...');
+    expectEqual(tool.formatQueueProgress({ completed: 2, total: 2, doneBytes: 1024, totalBytes: 1024, elapsedMs: 500 }),
+        '📈 Overall: 2/2 collections, 1.0 KB of 1.0 KB (100.0%) │ done');
+    expectEqual(tool.formatQueueProgress({ completed: 1, total: 3, doneBytes: 0, totalBytes: 0, elapsedMs: 500 }), '📈 Overall: 1/3 collections');
+});
+
+await check('counts in-flight progress of running collections', async () => {
+    const tool = createTool();
+    const lines = [];
+    tool.logger.info = (message) => lines.push(message);
+
+    // users is halfway through when orders finishes
+    await tool.runWorkQueue([{ name: 'orders', bytes: 3000 }, { name: 'users', bytes: 1000 }], 2, async (entry, workerId, onProgress) => {
+        onProgress(50);
+        await sleep(entry.name === 'users' ? 10 : 0);
+    });
+
+    const overall = lines.filter(line => line.startsWith('📈'));
+    expectEqual(overall.length, 2);
+    expectEqual(overall[0].startsWith('📈 Overall: 1/2 collections, 3.4 KB of 3.9 KB (87.5%)'), true);
+});
+
+await check('queues the streaming engine by estimated source size', async () => {
+    const tool = createTool();
+    const order = [];
+    tool.checkpoint = { isDone: () => false, mark: async () => {} };
+    tool.streamCollection = async (config, collection) => {
+        order.push(collection);
+        return { duplicates: 0 };
+    };
+
+    const config = {
+        source: { uri: 'mongodb://source', database: 'shop' },
+        destination: { uri: 'mongodb://dest', database: 'shop' },
+        options: { strategy: 'skip', parallelProcesses: 1, engine: 'stream' },
+        collectionSizes: tool.getEstimatedSizes({ collections: [{ name: 'users', dataSize: 10 }, { name: 'events', dataSize: 900 }, { name: 'orders', dataSize: 50 }] })
+    };
+    await tool.streamData(config, ['users', 'orders', 'events'], 1);
+    expectEqual(order, ['events', 'orders', 'users']);
+});
+
+await check('queues restores by dump file size', async () => {
+    const tool = createTool();
+    tool.tempDir = tempDir;
+    const dumpDir = path.join(tempDir, 'dump', 'shop');
+    await fs.mkdir(dumpDir, { recursive: true });
+    await fs.writeFile(path.join(dumpDir, 'users.bson'), 'x'.repeat(10));
+    await fs.writeFile(path.join(dumpDir, 'events.bson'), 'x'.repeat(500));
+    await fs.writeFile(path.join(dumpDir, 'orders.bson'), 'x'.repeat(100));
+
+    const order = [];
+    tool.executeCommand = async (command, args, workerId, collection) => {
+        order.push(collection);
+        return { stdout: '', stderr: '' };
+    };
+    await tool.restoreData({ uri: 'mongodb://dest', database: 'shop' }, ['users', 'orders', 'events'], 1);
+    expectEqual(order, ['events', 'orders', 'users']);
+});
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+finish('Scheduling');
@@ -0,0 +1,89 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MongoMigrationTool, CliError, parseCliArguments, validateSchema, PLAN_SCHEMA } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test existing-data strategies: parsing, per-collection overrides and duplicate reporting
+console.log(chalk.blue('🧪 Testing Existing-Data Strategies\n'));
+
+const tool = new MongoMigrationTool({});
+['info', 'success', 'warn', 'error'].forEach(level => { tool.logger[level] = () => {}; });
+
+await check('parses a run strategy and per-collection overrides', () => {
+    const options = parseCliArguments(['--strategy', 'upsert', '--strategy', 'logs=append', '--strategy', 'orders=drop']);
+    expectEqual(options.strategy, 'upsert');
+    expectEqual(options.strategies, { logs: 'append', orders: 'drop' });
+    expectEqual(parseCliArguments([]).strategies, undefined);
+});
+
+await check('validates strategies and overrides', async () => {
+    await expectThrows(() => new MongoMigrationTool({ strategy: 'merge' }).getDefaultStrategy(), CliError);
+    await expectThrows(() => new MongoMigrationTool({ strategies: { logs: 'append' } }).getStrategyOverrides(['orders'], 'skip'), CliError,
+        error => error.message.includes('not a selected collection'));
+    await expectThrows(() => new MongoMigrationTool({ strategies: { orders: 'wipe' } }).getStrategyOverrides(['orders'], 'skip'), CliError);
+    expectEqual(await new MongoMigrationTool({ nonInteractive: true }).getDefaultStrategy(), 'skip');
+});
+
+await check('resolves the strategy for every collection', () => {
+    const strategies = tool.resolveStrategies({ strategy: 'upsert', strategies: { logs: 'append' } }, ['orders', 'logs']);
+    expectEqual(strategies, { orders: 'upsert', logs: 'append' });
+    expectEqual(tool.resolveStrategies({}, ['orders']), { orders: 'skip' });
+});
+
+await check('maps strategies onto mongorestore flags', () => {
+    expectEqual(tool.getStrategyArgs('drop'), ['--drop']);
+    expectEqual(tool.getStrategyArgs('upsert'), ['--mode=upsert']);
+    expectEqual(tool.getStrategyArgs('append'), []);
+    expectEqual(tool.getStrategyArgs('skip'), []);
+});
+
+await check('reads duplicate counts from mongorestore output', () => {
+    const output = '2025-07-25T09:30:00.000+0000\t1192 document(s) restored successfully. 12 document(s) failed to restore.';
+    expectEqual(tool.parseRestoreOutcome(output), { restored: 1192, failed: 12 });
+    expectEqual(tool.parseRestoreOutcome('done'), { restored: null, failed: 0 });
+});
+
+await check('append fails a collection with duplicates; skip and upsert do not', async () => {
+    await expectThrows(() => tool.checkDuplicates('orders', 'append', 3), Error, error => error.message.includes('orders'));
+    tool.checkDuplicates('orders', 'skip', 3);
+    tool.checkDuplicates('orders', 'upsert', 3);
+    tool.checkDuplicates('orders', 'append', 0);
+});
+
+await check('restore summary lists duplicate outcomes per collection', async () => {
+    const lines = [];
+    const reporter = new MongoMigrationTool({});
+    ['success', 'warn', 'error'].forEach(level => { reporter.logger[level] = () => {}; });
+    reporter.logger.info = (message) => lines.push(message);
+    reporter.executeCommand = async (command, args, workerId, collection) => ({
+        stdout: '',
+        stderr: collection === 'orders' ? '90 document(s) restored successfully. 10 document(s) failed to restore.' : ''
+    });
+    reporter.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-strategies-'));
+    const dumpDir = path.join(reporter.tempDir, 'dump', 'app');
+    await fs.mkdir(dumpDir, { recursive: true });
+    await Promise.all(['orders', 'users'].map(name => fs.writeFile(path.join(dumpDir, `${name}.bson`), '')));
+
+    await reporter.restoreData({ uri: 'mongodb://dest', database: 'app' }, ['orders', 'users'], 2, {}, { orders: 'skip', users: 'skip' });
+    expectEqual(lines.includes('  - orders: 10 existing documents kept (skipped)'), true);
+
+    await expectThrows(() => reporter.restoreData({ uri: 'mongodb://dest', database: 'app' }, ['orders'], 1, {}, { orders: 'append' }),
+        Error, error => error.message === 'Failed to restore 1 collections');
+    await fs.rm(reporter.tempDir, { recursive: true, force: true });
+});
+
+await check('plans accept strategies', () => {
+    const plan = {
+        version: 1,
+        source: { connection: 'prod', database: 'shop' },
+        destination: { connection: 'staging', database: 'shop' },
+        collections: ['orders', 'logs'],
+        options: { strategy: 'upsert', strategies: { logs: 'drop' } }
+    };
+    expectEqual(validateSchema(plan, PLAN_SCHEMA), []);
+    expectEqual(validateSchema({ ...plan, options: { strategies: { logs: 'wipe' } } }, PLAN_SCHEMA).length, 1);
+});
+
+finish('Strategies');
@@ -0,0 +1,76 @@
+import chalk from 'chalk';
+import { Readable } from 'stream';
+import { MongoMigrationTool, parseCliArguments, validateSchema, PLAN_SCHEMA } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test the streaming engine (mongodump --archive piped into mongorestore --archive)
+const config = {
+    source: { uri: 'mongodb://source:27017', database: 'shop' },
+    destination: { uri: 'mongodb://dest:27017', database: 'shop_copy' },
+    options: { strategy: 'skip', parallelProcesses: 2, verification: 'none', engine: 'stream', gzip: false },
+    targetNames: {}
+};
+
+console.log(chalk.blue('🧪 Testing Streaming Engine\n'));
+
+const tool = new MongoMigrationTool({});
+['info', 'success', 'warn', 'error'].forEach(level => { tool.logger[level] = () => {}; });
+
+await check('builds archive arguments that map the source namespace to the destination', () => {
+    const { dumpArgs, restoreArgs } = tool.buildStreamArgs(config, 'orders', { targetName: 'legacy_orders' });
+
+    expectEqual(dumpArgs, ['--uri', 'mongodb://source:27017', '--db', 'shop', '--collection', 'orders', '--archive']);
+    expectEqual(restoreArgs, [
+        '--uri', 'mongodb://dest:27017', '--archive',
+        '--nsInclude', 'shop.orders',
+        '--nsFrom', 'shop.orders',
+        '--nsTo', 'shop_copy.legacy_orders',
+        '--verbose'
+    ]);
+});
+
+await check('adds --gzip to both sides and --query to the dump', () => {
+    const gzipConfig = { ...config, options: { ...config.options, gzip: true } };
+    const { dumpArgs, restoreArgs } = tool.buildStreamArgs(gzipConfig, 'orders', { query: '{"status":"open"}' });
+
+    expectEqual(dumpArgs.slice(-3), ['--gzip', '--query', '{"status":"open"}']);
+    expectEqual(restoreArgs.includes('--gzip'), true);
+    expectEqual(restoreArgs.includes('shop_copy.orders'), true);
+});
+
+await check('pipes an input stream into the command', async () => {
+    const { stdout } = await tool.executeCommand('cat', [], null, null, { input: Readable.from(['archive', '-bytes']) });
+    expectEqual(stdout, 'archive-bytes');
+});
+
+await check('streams pending collections per worker and records failures', async () => {
+    const marks = [];
+    tool.checkpoint = { dropped: true, isDone: () => false, mark: async (...args) => marks.push(args.slice(0, 3)) };
+    tool.streamCollection = async (streamConfig, collection) => {
+        if (collection === 'broken') {
+            throw new Error('mongorestore exited with code 1');
+        }
+        return { duplicates: 0 };
+    };
+
+    await expectThrows(() => tool.performMigration(config, ['users', 'broken', 'orders']), Error,
+        error => error.message === 'Migration failed: Failed to stream 1 collections');
+    expectEqual(marks.filter(([, , status]) => status === 'done').map(([, collection]) => collection).sort(), ['orders', 'users']);
+    expectEqual(marks.find(([, collection, status]) => collection === 'broken' && status === 'failed')?.[0], 'restore');
+});
+
+await check('accepts --engine stream with --gzip and the matching plan options', () => {
+    const options = parseCliArguments(['--engine', 'stream', '--gzip']);
+    expectEqual([options.engine, options.gzip], ['stream', true]);
+
+    const plan = {
+        version: 1,
+        source: { connection: 'prod', database: 'shop' },
+        destination: { connection: 'staging', database: 'shop' },
+        collections: 'all',
+        options: { engine: 'stream', gzip: true }
+    };
+    expectEqual(validateSchema(plan, PLAN_SCHEMA), []);
+});
+
+finish('Streaming engine');
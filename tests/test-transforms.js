@@ -0,0 +1,111 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CliError, parseCliArguments, validateSchema, PLAN_SCHEMA } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish, createTool } from './test-helpers.js';
+
+// Test per-collection transform modules: loading, engine selection, the sample preview and live sync changes
+console.log(chalk.blue('🧪 Testing Document Transforms\n'));
+
+const moduleDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-transforms-'));
+const ordersModule = path.join(moduleDir, 'orders.js');
+const brokenModule = path.join(moduleDir, 'broken.js');
+await fs.writeFile(ordersModule, `export function transform(doc) {
+    if (doc.deprecated) return null;
+    doc.placedAt = new Date(doc.placedAt);
+    doc.customerId = doc.customer;
+    delete doc.customer;
+    return doc;
+}
+`);
+await fs.writeFile(brokenModule, 'export const reshape = (doc) => doc;\n');
+
+await check('parses repeated --transform flags', async () => {
+    const options = parseCliArguments(['--transform', 'orders=./transforms/orders.js', '--transform', 'users=./transforms/users.js']);
+    expectEqual(options.transforms, { orders: './transforms/orders.js', users: './transforms/users.js' });
+    expectEqual(parseCliArguments([]).transforms, undefined);
+    await expectThrows(() => parseCliArguments(['--transform', './orders.js']), CliError);
+});
+
+await check('only selected collections can be transformed', async () => {
+    await expectThrows(() => createTool({ transforms: { users: ordersModule } }).getTransformRules({ collections: ['orders'] }), CliError,
+        error => error.message.includes('users'));
+});
+
+await check('loads transform(doc) from local modules', async () => {
+    const tool = createTool();
+    const { orders } = await tool.loadTransforms({ orders: ordersModule });
+    expectEqual(typeof orders, 'function');
+
+    await expectThrows(() => tool.loadTransforms({ orders: brokenModule }), CliError, error => error.message.includes('transform(doc)'));
+    await expectThrows(() => tool.loadTransforms({ orders: path.join(moduleDir, 'missing.js') }), CliError, error => error.message.includes('Cannot load'));
+});
+
+await check('transforms need the native engine', async () => {
+    const config = { options: { engine: 'stream', gzip: true }, transformers: { orders: (doc) => doc } };
+    createTool().ensureTransformEngine(config);
+    expectEqual([config.options.engine, config.options.gzip], ['native', false]);
+
+    const explicit = { options: { engine: 'tools' }, transformers: { orders: (doc) => doc } };
+    await expectThrows(() => createTool({ engine: 'tools' }).ensureTransformEngine(explicit), CliError, error => error.message.includes('--engine native'));
+});
+
+await check('transform results must be documents or null', async () => {
+    const tool = createTool();
+    expectEqual(await tool.transformDocument(async (doc) => ({ ...doc, migrated: true }), { _id: 1 }), { _id: 1, migrated: true });
+    expectEqual(await tool.transformDocument(() => null, { _id: 1 }), null);
+    await expectThrows(() => tool.transformDocument(() => {}, { _id: 1 }), Error, error => error.message.includes('undefined'));
+    await expectThrows(() => tool.transformDocument(() => [1], { _id: 1 }), Error, error => error.message.includes('array'));
+});
+
+await check('previews samples before and after the transform', async () => {
+    const tool = createTool();
+    const { orders } = await tool.loadTransforms({ orders: ordersModule });
+    const samples = await tool.transformSamples(orders, [
+        { _id: 1, customer: 'c-1', placedAt: '2026-10-01T08:00:00Z' },
+        { _id: 2, deprecated: true },
+        null
+    ]);
+
+    expectEqual(samples[0].before, '{"_id":1,"customer":"c-1","placedAt":"2026-10-01T08:00:00Z"}');
+    expectEqual(samples[0].after, '{"_id":1,"placedAt":{"$date":"2026-10-01T08:00:00Z"},"customerId":"c-1"}');
+    expectEqual(samples[1].after, null);
+    expectEqual(samples[2].error.length > 0, true);
+    expectEqual(tool.formatPreview({ text: 'x'.repeat(300) }).length, 160);
+});
+
+await check('live sync transforms changed documents and removes skipped ones', async () => {
+    const operations = [];
+    const destination = {
+        collection: (name) => ({
+            replaceOne: async (filter, document) => operations.push(['replace', name, document]),
+            deleteOne: async (filter) => operations.push(['delete', name, filter._id])
+        })
+    };
+    const transformers = { orders: (doc) => (doc.deprecated ? null : { ...doc, synced: true }) };
+    const change = (id, fullDocument) => ({ operationType: 'update', ns: { coll: 'orders' }, documentKey: { _id: id }, fullDocument });
+
+    const tool = createTool();
+    await tool.applyChange(destination, change(1, { _id: 1 }), {}, transformers);
+    await tool.applyChange(destination, change(2, { _id: 2, deprecated: true }), {}, transformers);
+    expectEqual(operations, [['replace', 'orders', { _id: 1, synced: true }], ['delete', 'orders', 2]]);
+
+    await expectThrows(() => tool.applyChange(destination, change(3, { _id: 3 }), {}, { orders: () => { throw new Error('bad date'); } }),
+        Error, error => error.message.includes("'orders' _id 3: bad date"));
+});
+
+await check('accepts transforms in plans', () => {
+    const plan = {
+        version: 1,
+        source: { connection: 'prod', database: 'shop' },
+        destination: { connection: 'staging', database: 'shop' },
+        collections: ['orders'],
+        options: { engine: 'native', transforms: { orders: './transforms/orders.js' } }
+    };
+    expectEqual(validateSchema(plan, PLAN_SCHEMA), []);
+});
+
+await fs.rm(moduleDir, { recursive: true, force: true });
+
+finish('Transform');
@@ -0,0 +1,110 @@
+import chalk from 'chalk';
+import { ObjectId } from 'mongodb';
+import { MongoMigrationTool } from '../migrate.js';
+import { check, expectEqual, finish } from './test-helpers.js';
+
+// Test post-migration verification with in-memory stand-ins for driver collections
+class FakeCollection {
+    constructor(docs) {
+        this.docs = docs;
+    }
+
+    async countDocuments() {
+        return this.docs.length;
+    }
+
+    find(filter = {}) {
+        // Only the { _id: { $in: [...] } } lookups of merged-collection verification are filtered
+        const ids = filter._id?.$in?.map(id => id.toHexString());
+        let docs = ids ? this.docs.filter(doc => ids.includes(doc._id.toHexString())) : [...this.docs];
+        const cursor = {
+            sort: (spec) => {
+                const direction = spec._id;
+                docs.sort((a, b) => direction * a._id.toHexString().localeCompare(b._id.toHexString()));
+                return cursor;
+            },
+            limit: (n) => {
+                docs = docs.slice(0, n);
+                return cursor;
+            },
+            next: async () => docs[0] ?? null,
+            [Symbol.asyncIterator]: async function* () {
+                yield* docs;
+            }
+        };
+        return cursor;
+    }
+}
+
+console.log(chalk.blue('🧪 Testing Post-Migration Verification\n'));
+
+const tool = new MongoMigrationTool({});
+const ids = Array.from({ length: 3 }, () => new ObjectId());
+const docs = ids.map((_id, index) => ({ _id, name: `user-${index}` }));
+
+await check('identical collections pass count, range and hash checks', async () => {
+    const source = await tool.getCollectionFingerprint(new FakeCollection(docs), 'hash');
+    const destination = await tool.getCollectionFingerprint(new FakeCollection([...docs].reverse()), 'hash');
+    const result = tool.compareFingerprints('users', source, destination);
+    expectEqual(result.passed, true);
+    expectEqual(source.count, 3);
+});
+
+await check('missing documents fail count and range checks', async () => {
+    const source = await tool.getCollectionFingerprint(new FakeCollection(docs), 'counts');
+    const destination = await tool.getCollectionFingerprint(new FakeCollection(docs.slice(0, 2)), 'counts');
+    const result = tool.compareFingerprints('users', source, destination);
+    expectEqual(result.passed, false);
+    expectEqual(result.mismatches, ['count 3 ≠ 2', '_id range']);
+});
+
+await check('changed content fails only the hash check', async () => {
+    const changed = docs.map(doc => ({ ...doc, name: doc.name.toUpperCase() }));
+    const source = await tool.getCollectionFingerprint(new FakeCollection(docs), 'hash');
+    const destination = await tool.getCollectionFingerprint(new FakeCollection(changed), 'hash');
+    expectEqual(tool.compareFingerprints('users', source, destination).mismatches, ['content hash']);
+});
+
+await check('empty collections verify cleanly', async () => {
+    const source = await tool.getCollectionFingerprint(new FakeCollection([]), 'counts');
+    const destination = await tool.getCollectionFingerprint(new FakeCollection([]), 'counts');
+    expectEqual(tool.compareFingerprints('empty', source, destination).passed, true);
+});
+
+await check('appending into a pre-populated collection verifies only the copied _ids', async () => {
+    const existing = Array.from({ length: 4 }, () => ({ _id: new ObjectId(), name: 'existing' }));
+    const destination = new FakeCollection([...existing, ...docs]);
+
+    // The whole-collection comparison would fail on the destination's own documents
+    const whole = tool.compareFingerprints('users',
+        await tool.getCollectionFingerprint(new FakeCollection(docs), 'counts'),
+        await tool.getCollectionFingerprint(destination, 'counts'));
+    expectEqual(whole.passed, false);
+
+    const [sourceFingerprint, destinationFingerprint] = await tool.getMergedFingerprints(new FakeCollection(docs), destination, 'append', 'hash');
+    const result = tool.compareFingerprints('users', sourceFingerprint, destinationFingerprint);
+    expectEqual([result.passed, destinationFingerprint.count], [true, 3]);
+
+    // A copied document that is missing still fails
+    const partial = await tool.getMergedFingerprints(new FakeCollection(docs), new FakeCollection([...existing, ...docs.slice(1)]), 'append', 'counts');
+    expectEqual(tool.compareFingerprints('users', ...partial).mismatches, ['count 3 ≠ 2', '_id range']);
+});
+
+await check('upserted documents must match the source, skipped ones need only exist', async () => {
+    const stale = docs.map((doc, index) => (index === 0 ? { ...doc, name: 'stale' } : doc));
+    const upserted = await tool.getMergedFingerprints(new FakeCollection(docs), new FakeCollection(stale), 'upsert', 'counts');
+    expectEqual(tool.compareFingerprints('users', ...upserted).mismatches, ['content hash']);
+
+    const skipped = await tool.getMergedFingerprints(new FakeCollection(docs), new FakeCollection(stale), 'skip', 'hash');
+    expectEqual(tool.compareFingerprints('users', ...skipped).passed, true);
+});
+
+console.log('');
+const source = await tool.getCollectionFingerprint(new FakeCollection(docs), 'hash');
+const destination = await tool.getCollectionFingerprint(new FakeCollection(docs.slice(1)), 'hash');
+tool.printVerificationTable([
+    tool.compareFingerprints('orders', source, source),
+    tool.compareFingerprints('users', source, destination)
+], 'hash');
+
+finish('Verification');
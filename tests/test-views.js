@@ -0,0 +1,49 @@
+import chalk from 'chalk';
+import { MongoMigrationTool } from '../migrate.js';
+import { check, expectEqual, expectThrows, finish } from './test-helpers.js';
+
+// Test view dependency detection and creation order
+console.log(chalk.blue('🧪 Testing View Migration\n'));
+
+const tool = new MongoMigrationTool({});
+
+const activeUsers = { name: 'active_users', viewOn: 'users', pipeline: [{ $match: { active: true } }] };
+const orderTotals = {
+    name: 'order_totals',
+    viewOn: 'orders',
+    pipeline: [
+        { $lookup: { from: 'active_users', localField: 'userId', foreignField: '_id', as: 'user' } },
+        { $facet: { archived: [{ $unionWith: { coll: 'archived_orders' } }] } }
+    ]
+};
+
+await check('collects viewOn and pipeline dependencies', () => {
+    expectEqual(tool.getViewDependencies(activeUsers), ['users']);
+    expectEqual(tool.getViewDependencies(orderTotals), ['orders', 'active_users', 'archived_orders']);
+});
+
+await check('reports dependencies that are not being migrated', () => {
+    const missing = tool.findMissingViewDependencies(['orders'], [activeUsers, orderTotals]);
+    expectEqual(missing, [
+        { view: 'active_users', dependency: 'users' },
+        { view: 'order_totals', dependency: 'archived_orders' }
+    ]);
+});
+
+await check('creates views after the views they depend on', () => {
+    const ordered = tool.orderViewsByDependency([orderTotals, activeUsers]);
+    expectEqual(ordered.map(view => view.name), ['active_users', 'order_totals']);
+});
+
+await check('rejects circular view definitions', () => expectThrows(() => tool.orderViewsByDependency([
+    { name: 'a', viewOn: 'b', pipeline: [] },
+    { name: 'b', viewOn: 'a', pipeline: [] }
+])));
+
+await check('accepts view names in --collections', () => {
+    const selectable = ['orders', 'users', 'active_users'];
+    const selected = new MongoMigrationTool({ collections: ['users', 'active_users'] }).getCollectionsFromArgs(selectable);
+    expectEqual(selected, ['users', 'active_users']);
+});
+
+finish('View migration');